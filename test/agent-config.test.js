@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgentConfig } = require('../agent.js');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-config-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('uses the defaults when nothing else is set', () => {
+  const config = AgentConfig.load({ env: {} });
+  assert.deepStrictEqual(config, AgentConfig.merge({}, AgentConfig.DEFAULTS));
+  assert.notStrictEqual(config.connection, AgentConfig.DEFAULTS.connection);
+});
+
+test('command line beats environment beats config file beats defaults', () => {
+  const file = writeFile('agent.yaml', [
+    'heartbeatInterval: 1000',
+    'batchWindow: 1000',
+    'reconnectDelay: 1000',
+    'connection:',
+    '  responseTimeout: 1000',
+  ].join('\n'));
+  const env = {
+    MODBUS_AGENT_BATCH_WINDOW: '2500',
+    MODBUS_AGENT_RECONNECT_DELAY: '2500',
+  };
+  const cli = { reconnectDelay: 7000 };
+
+  const config = AgentConfig.load({ file, env, cli });
+  assert.strictEqual(config.heartbeatInterval, 1000); // file
+  assert.strictEqual(config.batchWindow, 2500); // env over file
+  assert.strictEqual(config.reconnectDelay, 7000); // cli over env and file
+  assert.strictEqual(config.historicalBatchInterval, AgentConfig.DEFAULTS.historicalBatchInterval);
+  // Nested settings merge key by key
+  assert.strictEqual(config.connection.responseTimeout, 1000);
+  assert.strictEqual(config.connection.requestTimeout, AgentConfig.DEFAULTS.connection.requestTimeout);
+});
+
+test('undefined command line options do not override lower layers', () => {
+  const config = AgentConfig.load({ env: { MODBUS_AGENT_TOKEN: 'env-token' }, cli: { token: undefined } });
+  assert.strictEqual(config.token, 'env-token');
+});
+
+test('reads JSON config files too', () => {
+  const file = writeFile('agent.json', JSON.stringify({ mqtt: { enabled: true, url: 'mqtts://broker:8883' } }));
+  const config = AgentConfig.load({ file, env: {} });
+  assert.strictEqual(config.mqtt.enabled, true);
+  assert.strictEqual(config.mqtt.url, 'mqtts://broker:8883');
+});
+
+test('converts environment values to the type of the default', () => {
+  const config = AgentConfig.fromEnv({
+    MODBUS_AGENT_STATUS_PORT: '9100',
+    MODBUS_AGENT_MQTT_ENABLED: 'yes',
+    MODBUS_AGENT_MODBUS_SERVER_ENABLED: 'false',
+    MODBUS_AGENT_API_URL: 'https://staging.example.com',
+    MODBUS_AGENT_BATCH_WINDOW: '',
+  });
+  assert.deepStrictEqual(config, {
+    statusServer: { port: 9100 },
+    mqtt: { enabled: true },
+    modbusServer: { enabled: false },
+    backend: { apiUrl: 'https://staging.example.com' },
+  });
+  assert.throws(() => AgentConfig.fromEnv({ MODBUS_AGENT_BATCH_WINDOW: 'fast' }), /MODBUS_AGENT_BATCH_WINDOW must be a number/);
+});
+
+test('reports unreadable and unparsable config files', () => {
+  assert.throws(() => AgentConfig.load({ file: path.join(dir, 'missing.yaml'), env: {} }), /Cannot read config file/);
+  const file = writeFile('broken.json', '{ "batchWindow": ');
+  assert.throws(() => AgentConfig.load({ file, env: {} }), /Cannot parse config file/);
+});
+
+test('rejects invalid settings, listing every problem', () => {
+  assert.throws(() => AgentConfig.load({ env: {}, cli: { batchWindow: -1, mqtt: { qos: 3 } } }),
+    error => /batchWindow must be a positive number/.test(error.message) && /mqtt.qos must be 0, 1 or 2/.test(error.message));
+});
+
+test('rejects a metrics server on the status server port', () => {
+  const cli = { statusServer: { enabled: true, port: 8089 }, metricsServer: { enabled: true, port: 8089 } };
+  assert.throws(() => AgentConfig.load({ env: {}, cli }), /metricsServer.port must differ from statusServer.port/);
+  cli.metricsServer.port = 9464;
+  assert.strictEqual(AgentConfig.load({ env: {}, cli }).metricsServer.port, 9464);
+});
+
+test('redacts every secret without touching the loaded config', () => {
+  const config = AgentConfig.load({
+    env: {},
+    cli: {
+      token: 'registration-token',
+      backend: { anonKey: 'anon-key' },
+      mqtt: { password: 'mqtt-secret' },
+      statusServer: { password: 'status-secret' },
+    },
+  });
+
+  const redacted = AgentConfig.redact(config);
+  for (const secretPath of AgentConfig.SECRETS) {
+    assert.strictEqual(AgentConfig.getPath(redacted, secretPath), '***', secretPath);
+  }
+  assert.ok(!JSON.stringify(redacted).includes('secret'));
+  assert.strictEqual(config.token, 'registration-token');
+  assert.strictEqual(config.mqtt.password, 'mqtt-secret');
+});
+
+test('leaves unset secrets empty when redacting', () => {
+  const redacted = AgentConfig.redact(AgentConfig.load({ env: {} }));
+  assert.strictEqual(redacted.token, null);
+  assert.strictEqual(redacted.mqtt.password, AgentConfig.DEFAULTS.mqtt.password);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { AsciiTcpPort } = require('../agent.js');
+
+function createPort() {
+  const socket = new EventEmitter();
+  socket.written = [];
+  socket.write = (data) => socket.written.push(data);
+  socket.destroy = () => {};
+  const port = new AsciiTcpPort(socket);
+  const frames = [];
+  port.on('data', frame => frames.push(frame.toString('hex').toUpperCase()));
+  return { socket, port, frames };
+}
+
+const LRC_CASES = [
+  ['read holding registers request', '01030000000A', 0xF2],
+  ['write single register request', '110600010003', 0xE5],
+  ['empty body', '', 0x00],
+  ['sum wraps past 0xFF', 'FFFF02', 0x00],
+  ['read response', '010304002A0064', 0x6A],
+];
+
+for (const [description, hex, expected] of LRC_CASES) {
+  test(`lrc: ${description}`, () => {
+    assert.strictEqual(AsciiTcpPort.lrc(Buffer.from(hex, 'hex')), expected);
+  });
+}
+
+test('crc16 matches the Modbus RTU reference value', () => {
+  // 01 03 00 00 00 0A is sent on the wire with CRC bytes C5 CD
+  assert.strictEqual(AsciiTcpPort.crc16(Buffer.from('01030000000A', 'hex')), 0xCDC5);
+});
+
+test('write replaces the RTU CRC with an LRC in an ASCII line', () => {
+  const { socket, port } = createPort();
+  port.write(Buffer.from('01030000000AC5CD', 'hex'));
+  assert.deepStrictEqual(socket.written, [':01030000000AF2\r\n']);
+});
+
+test('receive turns an ASCII line into an RTU frame with CRC', () => {
+  const { socket, frames } = createPort();
+  socket.emit('data', Buffer.from(':010304002A00646A\r\n'));
+  const crc = AsciiTcpPort.crc16(Buffer.from('010304002A0064', 'hex'));
+  const expected = '010304002A0064' + Buffer.from([crc & 0xFF, crc >> 8]).toString('hex').toUpperCase();
+  assert.deepStrictEqual(frames, [expected]);
+});
+
+test('receive reassembles lines split across chunks and accepts lowercase hex', () => {
+  const { socket, frames } = createPort();
+  socket.emit('data', Buffer.from(':0103'));
+  socket.emit('data', Buffer.from('04002a0064'));
+  socket.emit('data', Buffer.from('6a\r'));
+  assert.strictEqual(frames.length, 0);
+  socket.emit('data', Buffer.from('\n:0103020001F9\r\n'));
+  assert.strictEqual(frames.length, 2);
+  assert.ok(frames[0].startsWith('010304002A0064'));
+  assert.ok(frames[1].startsWith('0103020001'));
+});
+
+test('receive drops lines with a bad LRC, too few bytes or no colon', () => {
+  const { socket, frames } = createPort();
+  socket.emit('data', Buffer.from(':010304002A00646B\r\n')); // LRC off by one
+  socket.emit('data', Buffer.from(':01FF\r\n'));
+  socket.emit('data', Buffer.from('010304002A00646A\r\n'));
+  assert.deepStrictEqual(frames, []);
+});
+
+test('receive skips noise before the start colon', () => {
+  const { socket, frames } = createPort();
+  socket.emit('data', Buffer.from('\x00noise:0103020001F9\r\n'));
+  assert.strictEqual(frames.length, 1);
+});
+
+test('receive discards a buffer that never ends a line', () => {
+  const { socket, port } = createPort();
+  socket.emit('data', Buffer.alloc(1100, 0x41));
+  assert.strictEqual(port.buffer, '');
+});
+
+test('a closed socket closes the port', () => {
+  const { socket, port } = createPort();
+  let closed = false;
+  port.on('close', () => { closed = true; });
+  socket.emit('close');
+  assert.strictEqual(port.isOpen, false);
+  assert.strictEqual(closed, true);
+});
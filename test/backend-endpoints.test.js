@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BackendEndpoints } = require('../agent.js');
+
+test('defaults to the hosted backend URLs', () => {
+  const endpoints = BackendEndpoints.resolve();
+  assert.strictEqual(endpoints.wsUrl, 'wss://ckdjiovqshugcprabpty.functions.supabase.co/agent-websocket');
+  assert.strictEqual(endpoints.authUrl, 'https://ckdjiovqshugcprabpty.functions.supabase.co/agent-auth');
+  assert.strictEqual(endpoints.ingestUrl, 'https://ckdjiovqshugcprabpty.supabase.co/functions/v1/ingest-batch');
+  assert.strictEqual(endpoints.configUrl, 'https://ckdjiovqshugcprabpty.supabase.co/functions/v1/get-active-config');
+  assert.strictEqual(endpoints.restUrl, 'https://ckdjiovqshugcprabpty.supabase.co/rest/v1');
+  assert.strictEqual(endpoints.anonKey, BackendEndpoints.DEFAULT_ANON_KEY);
+});
+
+test('derives every endpoint from a custom base URL', () => {
+  const endpoints = BackendEndpoints.resolve({ apiUrl: 'http://localhost:54321/' });
+  assert.strictEqual(endpoints.wsUrl, 'ws://localhost:54321/functions/v1/agent-websocket');
+  assert.strictEqual(endpoints.authUrl, 'http://localhost:54321/functions/v1/agent-auth');
+  assert.strictEqual(endpoints.ingestUrl, 'http://localhost:54321/functions/v1/ingest-batch');
+  assert.strictEqual(endpoints.anonKey, null);
+});
+
+test('explicit endpoints take precedence', () => {
+  const endpoints = BackendEndpoints.resolve({
+    functionsUrl: 'https://fn.example.com',
+    wsUrl: 'wss://ws.example.com/socket',
+  });
+  assert.strictEqual(endpoints.wsUrl, 'wss://ws.example.com/socket');
+  assert.strictEqual(endpoints.authUrl, 'https://fn.example.com/agent-auth');
+});
+
+test('rejects malformed URLs and wrong schemes', () => {
+  assert.throws(() => BackendEndpoints.resolve({ apiUrl: 'not a url' }), /Invalid apiUrl/);
+  assert.throws(() => BackendEndpoints.resolve({ wsUrl: 'https://example.com' }), /wsUrl must use ws or wss/);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ConnectionPool } = require('../agent.js');
+
+function createClient() {
+  return { isOpen: true, closed: 0, close(callback) { this.isOpen = false; this.closed++; callback(); } };
+}
+
+const gateway = (extra = {}) => ({ protocol: 'tcp', deviceIp: '10.0.0.5', port: 502, ...extra });
+
+// Opens through the pool the way ModbusAgent.connectToDevice does: reuse a live client, connect otherwise
+async function connect(pool, params, connects) {
+  const key = ConnectionPool.getKey(params);
+  return pool.get(key) ?? pool.open(key, params, async () => {
+    connects.push(key);
+    return createClient();
+  });
+}
+
+test('keys connections by host and port, not by unit', () => {
+  assert.strictEqual(ConnectionPool.getKey(gateway({ unitId: 1 })), ConnectionPool.getKey(gateway({ unitId: 7 })));
+  assert.strictEqual(ConnectionPool.getKey({ deviceIp: '10.0.0.5' }), 'tcp:10.0.0.5:502');
+  assert.notStrictEqual(ConnectionPool.getKey(gateway()), ConnectionPool.getKey(gateway({ port: 503 })));
+  assert.notStrictEqual(ConnectionPool.getKey(gateway()), ConnectionPool.getKey(gateway({ deviceIp: '10.0.0.6' })));
+});
+
+test('reuses one client per host and port', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pool = new ConnectionPool();
+  const connects = [];
+
+  const [first, concurrent] = await Promise.all([connect(pool, gateway({ unitId: 1 }), connects), connect(pool, gateway({ unitId: 2 }), connects)]);
+  const later = await connect(pool, gateway({ unitId: 3 }), connects);
+  const otherPort = await connect(pool, gateway({ port: 503 }), connects);
+
+  assert.strictEqual(concurrent, first);
+  assert.strictEqual(later, first);
+  assert.notStrictEqual(otherPort, first);
+  assert.deepStrictEqual(connects, ['tcp:10.0.0.5:502', 'tcp:10.0.0.5:503']);
+});
+
+test('closes a connection when its last owner releases it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pool = new ConnectionPool();
+  const key = ConnectionPool.getKey(gateway());
+  const client = await connect(pool, gateway(), []);
+  pool.acquire(key, 'meter-1/fast', 1);
+  pool.acquire(key, 'meter-2/fast', 0);
+  assert.deepStrictEqual(pool.getInventory()[0].unitIds, [0, 1]);
+
+  pool.release(key, 'meter-1/fast');
+  pool.release(key, 'meter-1/fast');
+  assert.strictEqual(pool.get(key), client);
+  assert.strictEqual(pool.getInventory()[0].refCount, 1);
+
+  pool.release(key, 'meter-2/fast');
+  assert.strictEqual(client.closed, 1);
+  assert.strictEqual(pool.get(key), null);
+  assert.deepStrictEqual(pool.getInventory(), []);
+});
+
+test('keeps a released connection open until its running transaction finishes', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pool = new ConnectionPool(0);
+  const key = ConnectionPool.getKey(gateway());
+  const client = await connect(pool, gateway(), []);
+  pool.acquire(key, 'meter/fast', 1);
+
+  let finish;
+  const transaction = pool.track(key, () => new Promise(resolve => { finish = resolve; }));
+  pool.release(key, 'meter/fast');
+  pool.evictIdle();
+  assert.strictEqual(client.closed, 0);
+
+  finish();
+  await transaction;
+  pool.evictIdle();
+  assert.strictEqual(client.closed, 1);
+});
+
+test('reconnects after a transport error or a dead socket', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pool = new ConnectionPool();
+  const key = ConnectionPool.getKey(gateway());
+  const connects = [];
+
+  const first = await connect(pool, gateway(), connects);
+  pool.discard(key, first);
+  assert.strictEqual(first.closed, 1);
+  const second = await connect(pool, gateway(), connects);
+  assert.notStrictEqual(second, first);
+
+  // A late error report for the replaced client leaves the new one alone
+  pool.discard(key, first);
+  assert.strictEqual(pool.get(key), second);
+
+  second.isOpen = false;
+  const third = await connect(pool, gateway(), connects);
+  assert.notStrictEqual(third, second);
+  assert.strictEqual(connects.length, 3);
+});
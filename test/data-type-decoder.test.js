@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DataTypeDecoder } = require('../agent.js');
+
+// float32 123.456 is 0x42F6E979, uint32 305419896 is 0x12345678
+const DECODE_CASES = [
+  { dataType: 'uint16', words: [0xFFFE], expected: 65534 },
+  { dataType: 'int16', words: [0xFFFE], expected: -2 },
+  { dataType: 'int16', byteOrder: 'BADC', words: [0xFEFF], expected: -2 },
+  { dataType: 'uint32', byteOrder: 'ABCD', words: [0x1234, 0x5678], expected: 0x12345678 },
+  { dataType: 'uint32', byteOrder: 'CDAB', words: [0x5678, 0x1234], expected: 0x12345678 },
+  { dataType: 'uint32', byteOrder: 'BADC', words: [0x3412, 0x7856], expected: 0x12345678 },
+  { dataType: 'uint32', byteOrder: 'DCBA', words: [0x7856, 0x3412], expected: 0x12345678 },
+  { dataType: 'int32', words: [0xFFFF, 0xFFFE], expected: -2 },
+  { dataType: 'int32', byteOrder: 'CDAB', words: [0xFFFE, 0xFFFF], expected: -2 },
+  { dataType: 'float32', byteOrder: 'ABCD', words: [0x42F6, 0xE979], expected: Math.fround(123.456) },
+  { dataType: 'float32', byteOrder: 'CDAB', words: [0xE979, 0x42F6], expected: Math.fround(123.456) },
+  { dataType: 'float32', byteOrder: 'BADC', words: [0xF642, 0x79E9], expected: Math.fround(123.456) },
+  { dataType: 'float32', byteOrder: 'DCBA', words: [0x79E9, 0xF642], expected: Math.fround(123.456) },
+  { dataType: 'float', words: [0x3FC0, 0x0000], expected: 1.5 },
+  { dataType: 'float64', words: [0x3FF8, 0x0000, 0x0000, 0x0000], expected: 1.5 },
+  { dataType: 'double', byteOrder: 'CDAB', words: [0x0000, 0x0000, 0x0000, 0x3FF8], expected: 1.5 },
+  { dataType: 'uint64', words: [0x0000, 0x0000, 0x0001, 0x0002], expected: 65538 },
+  { dataType: 'uint64', byteOrder: 'CDAB', words: [0x0002, 0x0001, 0x0000, 0x0000], expected: 65538 },
+  { dataType: 'uint64', byteOrder: 'DCBA', words: [0x0200, 0x0100, 0x0000, 0x0000], expected: 65538 },
+  { dataType: 'int64', words: [0xFFFF, 0xFFFF, 0xFFFF, 0xFFFF], expected: -1 },
+  { dataType: 'int64', words: [0xFFFF, 0xFFFF, 0xFFFF, 0xFF00], expected: -256 },
+  { dataType: 'string', length: 5, words: [0x4845, 0x4C4C, 0x4F00], expected: 'HELLO' },
+  { dataType: 'ascii', count: 3, byteOrder: 'BADC', words: [0x4548, 0x4C4C, 0x004F], expected: 'HELLO' },
+  // Strings are never word swapped
+  { dataType: 'string', count: 2, byteOrder: 'CDAB', words: [0x4142, 0x4344], expected: 'ABCD' },
+  { dataType: 'string', count: 2, byteOrder: 'DCBA', words: [0x4241, 0x4443], expected: 'ABCD' },
+  { dataType: 'bit', bit: 1, words: [0b1010], expected: 1 },
+  { dataType: 'bit', bit: 2, words: [0b1010], expected: 0 },
+  { dataType: 'boolean', bit: 15, words: [0x8000], expected: 1 },
+];
+
+for (const { words, expected, ...register } of DECODE_CASES) {
+  test(`decodes ${register.dataType} ${register.byteOrder || 'ABCD'} ${words.map(w => w.toString(16)).join(' ')}`, () => {
+    assert.strictEqual(DataTypeDecoder.decode(words, { address: 40001, ...register }), expected);
+  });
+}
+
+test('register byte order overrides the device default', () => {
+  const words = [0x5678, 0x1234];
+  assert.strictEqual(DataTypeDecoder.decode(words, { dataType: 'uint32' }, 'CDAB'), 0x12345678);
+  assert.strictEqual(DataTypeDecoder.decode(words, { dataType: 'uint32', byteOrder: 'ABCD' }, 'CDAB'), 0x56781234);
+  assert.strictEqual(DataTypeDecoder.decode(words, { dataType: 'uint32', byteOrder: 'cdab' }), 0x12345678);
+});
+
+test('register counts follow the data type', () => {
+  const cases = [
+    [{ dataType: 'int16' }, 1],
+    [{ dataType: 'float32' }, 2],
+    [{ dataType: 'float64' }, 4],
+    [{ dataType: 'int64' }, 4],
+    [{ dataType: 'string', length: 7 }, 4],
+    [{ dataType: 'string', count: 10 }, 10],
+    [{}, 1],
+  ];
+  for (const [register, count] of cases) {
+    assert.strictEqual(DataTypeDecoder.getRegisterCount(register), count, JSON.stringify(register));
+  }
+});
+
+test('rejects bad input', () => {
+  assert.throws(() => DataTypeDecoder.decode([1], { dataType: 'float32', address: 40001 }), /Not enough registers/);
+  assert.throws(() => DataTypeDecoder.decode([1, 2], { dataType: 'float32', byteOrder: 'ACBD' }), /Unsupported byte order/);
+  assert.throws(() => DataTypeDecoder.decode([1], { dataType: 'decimal' }), /Unsupported data type/);
+  assert.throws(() => DataTypeDecoder.decode([1], { dataType: 'bit', bit: 16 }), /Bit index out of range/);
+});
+
+test('encode is the inverse of decode', () => {
+  const cases = [
+    [{ dataType: 'int16' }, -1234],
+    [{ dataType: 'uint32', byteOrder: 'CDAB' }, 0x12345678],
+    [{ dataType: 'int32', byteOrder: 'DCBA' }, -100000],
+    [{ dataType: 'float32', byteOrder: 'BADC' }, Math.fround(-0.25)],
+    [{ dataType: 'float64', byteOrder: 'CDAB' }, 1234.5678],
+    [{ dataType: 'int64', byteOrder: 'DCBA' }, -9007199254740991],
+    [{ dataType: 'string', length: 6, byteOrder: 'BADC' }, 'PM-100'],
+  ];
+  for (const [register, value] of cases) {
+    const words = DataTypeDecoder.encode(value, register);
+    assert.strictEqual(DataTypeDecoder.decode(words, register), value, JSON.stringify(register));
+  }
+  assert.deepStrictEqual(DataTypeDecoder.encode(123.456, { dataType: 'float32', byteOrder: 'CDAB' }), [0xE979, 0x42F6]);
+});
+
+test('encode rounds and clamps integers', () => {
+  assert.deepStrictEqual(DataTypeDecoder.encode(70000, { dataType: 'uint16' }), [0xFFFF]);
+  assert.deepStrictEqual(DataTypeDecoder.encode(-5, { dataType: 'uint16' }), [0]);
+  assert.deepStrictEqual(DataTypeDecoder.encode(2.6, { dataType: 'int16' }), [3]);
+});
@@ -0,0 +1,106 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { DeviceCircuitBreaker } = require('../agent.js');
+
+let events;
+let breaker;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Math, 'random', () => 0.5); // No jitter
+  events = [];
+  breaker = new DeviceCircuitBreaker(event => events.push(`${event.previousStatus}->${event.status}`), {
+    degradedAfter: 1,
+    offlineAfter: 3,
+    initialBackoffMs: 1000,
+    maxBackoffMs: 4000,
+  });
+});
+
+const fail = (times) => {
+  for (let i = 0; i < times; i++) breaker.recordFailure('plc', new Error('Timed out'));
+};
+const backoffElapsed = () => { breaker.getState('plc').nextAttemptAt = Date.now() - 1; };
+
+test('new devices are attempted and count as healthy', () => {
+  assert.strictEqual(breaker.getStatus('plc'), 'unknown');
+  assert.strictEqual(breaker.isHealthy('plc'), true);
+  assert.deepStrictEqual(breaker.canAttempt('plc'), { allowed: true, probe: false });
+});
+
+test('failures degrade, then open the breaker', () => {
+  fail(1);
+  assert.strictEqual(breaker.getStatus('plc'), 'degraded');
+  assert.strictEqual(breaker.isHealthy('plc'), false);
+  assert.deepStrictEqual(breaker.canAttempt('plc'), { allowed: true, probe: false });
+
+  fail(2);
+  assert.strictEqual(breaker.getStatus('plc'), 'offline');
+  assert.deepStrictEqual(events, ['unknown->degraded', 'degraded->offline']);
+  assert.strictEqual(breaker.getSnapshot('plc').lastError, 'Timed out');
+  assert.deepStrictEqual(breaker.canAttempt('plc'), { allowed: false, probe: false });
+});
+
+test('an open breaker allows a single half-open probe once the backoff elapsed', () => {
+  fail(3);
+  backoffElapsed();
+  assert.deepStrictEqual(breaker.canAttempt('plc'), { allowed: true, probe: true });
+  assert.deepStrictEqual(breaker.canAttempt('plc'), { allowed: false, probe: false });
+
+  breaker.endProbe('plc');
+  assert.deepStrictEqual(breaker.canAttempt('plc'), { allowed: true, probe: true });
+});
+
+test('a successful probe closes the breaker and resets the backoff', () => {
+  fail(3);
+  backoffElapsed();
+  breaker.canAttempt('plc');
+  breaker.recordSuccess('plc');
+  breaker.endProbe('plc');
+
+  const state = breaker.getState('plc');
+  assert.strictEqual(state.status, 'online');
+  assert.strictEqual(state.consecutiveFailures, 0);
+  assert.strictEqual(state.backoffMs, 0);
+  assert.strictEqual(breaker.getSnapshot('plc').nextAttemptAt, null);
+  assert.deepStrictEqual(events.slice(-1), ['offline->online']);
+});
+
+test('a failed probe doubles the backoff up to the maximum', () => {
+  fail(3);
+  const backoffs = [breaker.getState('plc').backoffMs];
+  for (let i = 0; i < 4; i++) {
+    backoffElapsed();
+    breaker.canAttempt('plc');
+    fail(1);
+    breaker.endProbe('plc');
+    backoffs.push(breaker.getState('plc').backoffMs);
+  }
+  assert.deepStrictEqual(backoffs, [1000, 2000, 4000, 4000, 4000]);
+
+  const wait = breaker.getState('plc').nextAttemptAt - Date.now();
+  assert.ok(wait > 3900 && wait <= 4000, `next attempt in ${wait}ms`);
+  assert.deepStrictEqual(events, ['unknown->degraded', 'degraded->offline']); // Staying offline is not a transition
+});
+
+test('backoff jitter stays within 10%', (t) => {
+  t.mock.method(Math, 'random', () => 1);
+  fail(3);
+  const wait = breaker.getState('plc').nextAttemptAt - Date.now();
+  assert.ok(wait > 1000 && wait <= 1100, `next attempt in ${wait}ms`);
+});
+
+test('configure changes the thresholds', () => {
+  breaker.configure({ degradedAfter: 2, offlineAfter: 2 });
+  fail(1);
+  assert.strictEqual(breaker.getStatus('plc'), 'unknown');
+  fail(1);
+  assert.strictEqual(breaker.getStatus('plc'), 'offline');
+});
+
+test('retain forgets removed devices', () => {
+  fail(1);
+  breaker.recordSuccess('meter');
+  breaker.retain(['meter']);
+  assert.deepStrictEqual(breaker.getAllSnapshots().map(s => s.deviceId), ['meter']);
+});
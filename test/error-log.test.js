@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ErrorLog } = require('../agent.js');
+
+test('keeps logged errors as timestamped messages', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const log = new ErrorLog();
+  log.error('[Poll] Read failed:', new Error('Timed out'), { unitId: 3 });
+
+  const [entry] = log.getRecent();
+  assert.strictEqual(entry.message, '[Poll] Read failed: Timed out {"unitId":3}');
+  assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
+
+test('keeps only the most recent entries', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const log = new ErrorLog();
+  for (let i = 0; i < ErrorLog.MAX_ENTRIES + 5; i++) log.error(`error ${i}`);
+
+  const entries = log.getRecent();
+  assert.strictEqual(entries.length, ErrorLog.MAX_ENTRIES);
+  assert.strictEqual(entries[0].message, 'error 5');
+});
+
+test('does not replace console.error', () => {
+  const original = console.error;
+  new ErrorLog();
+  assert.strictEqual(console.error, original);
+});
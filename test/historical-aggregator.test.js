@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { HistoricalAggregator } = require('../agent.js');
+
+const KEY = 'meter:power';
+const sample = (second, value, quality = 'good', metadata = {}) => ({
+  deviceId: 'meter',
+  registerId: 'power',
+  value,
+  quality,
+  metadata,
+  timestamp: new Date(Date.UTC(2026, 0, 1, 12, 0, second)).toISOString(),
+});
+
+test('rolls a window up into min, max, mean and last', () => {
+  const aggregator = new HistoricalAggregator();
+  for (const [second, value] of [[0, 10], [10, 30], [20, 5], [50, 15]]) {
+    assert.deepStrictEqual(aggregator.add(KEY, sample(second, value), 60000), []);
+  }
+
+  const [aggregate] = aggregator.flush(KEY);
+  assert.strictEqual(aggregate.value, 15);
+  assert.strictEqual(aggregate.quality, 'good');
+  assert.strictEqual(aggregate.timestamp, '2026-01-01T12:00:00.000Z');
+  assert.deepStrictEqual(aggregate.metadata, {
+    aggregate: true,
+    windowStart: '2026-01-01T12:00:00.000Z',
+    windowEnd: '2026-01-01T12:01:00.000Z',
+    min: 5,
+    max: 30,
+    mean: 15,
+    last: 15,
+    count: 4,
+    goodPercent: 100,
+  });
+  assert.deepStrictEqual(aggregator.flush(KEY), []);
+});
+
+test('windows are aligned to the clock and emitted when the next one starts', () => {
+  const aggregator = new HistoricalAggregator();
+  aggregator.add(KEY, sample(25, 1), 30000);
+  aggregator.add(KEY, sample(29, 3), 30000);
+
+  const emitted = aggregator.add(KEY, sample(30, 100), 30000);
+  assert.strictEqual(emitted.length, 1);
+  assert.strictEqual(emitted[0].metadata.windowStart, '2026-01-01T12:00:00.000Z');
+  assert.strictEqual(emitted[0].metadata.windowEnd, '2026-01-01T12:00:30.000Z');
+  assert.strictEqual(emitted[0].value, 2);
+
+  const [next] = aggregator.flush(KEY);
+  assert.strictEqual(next.metadata.windowStart, '2026-01-01T12:00:30.000Z');
+  assert.strictEqual(next.value, 100);
+});
+
+test('bad samples count toward quality but not the statistics', () => {
+  const aggregator = new HistoricalAggregator();
+  aggregator.add(KEY, sample(0, 10), 60000);
+  aggregator.add(KEY, sample(10, null, 'bad'), 60000);
+  aggregator.add(KEY, sample(20, 20), 60000);
+  aggregator.add(KEY, sample(30, null, 'bad'), 60000);
+
+  const [aggregate] = aggregator.flush(KEY);
+  assert.strictEqual(aggregate.quality, 'uncertain');
+  assert.strictEqual(aggregate.metadata.goodPercent, 50);
+  assert.strictEqual(aggregate.metadata.count, 4);
+  assert.strictEqual(aggregate.metadata.mean, 15);
+  assert.strictEqual(aggregate.metadata.last, 20);
+});
+
+test('a window with only bad samples is bad', () => {
+  const aggregator = new HistoricalAggregator();
+  aggregator.add(KEY, sample(0, null, 'bad'), 60000);
+  const [aggregate] = aggregator.flush(KEY);
+  assert.strictEqual(aggregate.quality, 'bad');
+  assert.strictEqual(aggregate.value, null);
+  assert.strictEqual(aggregate.metadata.min, null);
+});
+
+test('non-numeric values report the last value', () => {
+  const aggregator = new HistoricalAggregator();
+  aggregator.add(KEY, sample(0, 'STOP'), 60000);
+  aggregator.add(KEY, sample(5, 'RUN'), 60000);
+  const [aggregate] = aggregator.flush(KEY);
+  assert.strictEqual(aggregate.value, 'RUN');
+  assert.strictEqual(aggregate.metadata.mean, null);
+});
+
+test('keeps the unit but drops the raw value from the metadata', () => {
+  const aggregator = new HistoricalAggregator();
+  aggregator.add(KEY, sample(0, 1, 'good', { unit: 'kW', rawValue: 10 }), 60000);
+  const [aggregate] = aggregator.flush(KEY);
+  assert.strictEqual(aggregate.metadata.unit, 'kW');
+  assert.strictEqual('rawValue' in aggregate.metadata, false);
+});
+
+test('changing the window length closes the open window', () => {
+  const aggregator = new HistoricalAggregator();
+  aggregator.add(KEY, sample(0, 1), 60000);
+  const emitted = aggregator.add(KEY, sample(5, 2), 10000);
+  assert.strictEqual(emitted.length, 1);
+  assert.strictEqual(emitted[0].metadata.count, 1);
+});
+
+test('flushExpired emits only windows that have ended', () => {
+  const aggregator = new HistoricalAggregator();
+  aggregator.add(KEY, sample(0, 1), 60000);
+  aggregator.add('meter:voltage', { ...sample(0, 230), registerId: 'voltage' }, 120000);
+
+  const oneMinuteLater = Date.UTC(2026, 0, 1, 12, 1, 0);
+  assert.deepStrictEqual(aggregator.flushExpired(oneMinuteLater - 1), []);
+  assert.deepStrictEqual(aggregator.flushExpired(oneMinuteLater).map(a => a.registerId), ['power']);
+  assert.deepStrictEqual(aggregator.flushExpired(oneMinuteLater + 60000).map(a => a.registerId), ['voltage']);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { HistoricalCompressor } = require('../agent.js');
+
+const T0 = Date.parse('2026-01-01T00:00:00.000Z');
+const sample = (seconds, value) => ({ timestamp: new Date(T0 + seconds * 1000).toISOString(), value, quality: 'good' });
+
+// Feeds [seconds, value] samples through one key and returns the stored points as [seconds, value]
+function run(samples, options) {
+  const compressor = new HistoricalCompressor();
+  return samples
+    .flatMap(([seconds, value]) => compressor.compress('dev:reg', sample(seconds, value), options))
+    .map(point => [(Date.parse(point.timestamp) - T0) / 1000, point.value]);
+}
+
+test('swinging door drops samples on a straight line', () => {
+  const ramp = [[0, 0], [1, 1], [2, 2], [3, 3], [4, 4]];
+  assert.deepStrictEqual(run(ramp, { compression: 'swinging-door', deviation: 0.5 }), [[0, 0]]);
+});
+
+test('swinging door archives the last sample before a bend', () => {
+  // A line from (0, 0) still passes within 0.5 of (5, 4), so the corner is archived at t=5
+  const bend = [[0, 0], [1, 1], [2, 2], [3, 3], [4, 4], [5, 4], [6, 4], [7, 4], [8, 0]];
+  assert.deepStrictEqual(run(bend, { compression: 'swinging-door', deviation: 0.5 }), [[0, 0], [5, 4], [7, 4]]);
+});
+
+test('swinging door keeps noise within the deviation out of the archive', () => {
+  const noisy = [[0, 10], [1, 10.2], [2, 9.9], [3, 10.1], [4, 9.8], [5, 10]];
+  assert.deepStrictEqual(run(noisy, { compression: 'swinging-door', deviation: 0.5 }), [[0, 10]]);
+});
+
+test('swinging door with zero deviation keeps every change of slope', () => {
+  const zigzag = [[0, 0], [1, 1], [2, 0], [3, 1]];
+  assert.deepStrictEqual(run(zigzag, { compression: 'swinging-door', deviation: 0 }), [[0, 0], [1, 1], [2, 0]]);
+});
+
+test('maxInterval forces the held sample and the current one out', () => {
+  const flat = [[0, 5], [10, 5], [20, 5], [30, 5], [40, 5]];
+  assert.deepStrictEqual(
+    run(flat, { compression: 'swinging-door', deviation: 1, maxInterval: 30000 }),
+    [[0, 5], [20, 5], [30, 5]]
+  );
+});
+
+test('deadband stores changes larger than the deviation', () => {
+  const values = [[0, 10], [1, 10.4], [2, 10.6], [3, 10.7], [4, 11.2], [5, 9]];
+  assert.deepStrictEqual(run(values, { compression: 'deadband', deviation: 0.5 }), [[0, 10], [2, 10.6], [4, 11.2], [5, 9]]);
+});
+
+test('non-numeric values and disabled compression pass through', () => {
+  assert.deepStrictEqual(run([[0, 1], [1, 1], [2, 1]], {}), [[0, 1], [1, 1], [2, 1]]);
+  assert.deepStrictEqual(
+    run([[0, 'on'], [1, 'on']], { compression: 'swinging-door', deviation: 1 }),
+    [[0, 'on'], [1, 'on']]
+  );
+});
+
+test('reset starts a new corridor', () => {
+  const compressor = new HistoricalCompressor();
+  const options = { compression: 'deadband', deviation: 10 };
+  assert.strictEqual(compressor.compress('k', sample(0, 1), options).length, 1);
+  assert.strictEqual(compressor.compress('k', sample(1, 2), options).length, 0);
+  compressor.reset('k');
+  assert.strictEqual(compressor.compress('k', sample(2, 2), options).length, 1);
+});
+
+test('unknown compression is rejected', () => {
+  const compressor = new HistoricalCompressor();
+  compressor.compress('k', sample(0, 1), { compression: 'lttb' });
+  assert.throws(() => compressor.compress('k', sample(1, 2), { compression: 'lttb' }), /Unsupported historical compression/);
+});
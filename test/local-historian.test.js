@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalHistorian } = require('../agent.js');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-historian-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const HOUR = 3600000;
+const BASE = Date.UTC(2026, 0, 1, 10); // 2026-01-01T10:00Z
+const point = (offsetMs, registerId = 'power', deviceId = 'meter') => ({
+  deviceId,
+  registerId,
+  value: offsetMs,
+  quality: 'good',
+  timestamp: new Date(BASE + offsetMs).toISOString(),
+});
+
+async function collect(historian, query) {
+  const points = [];
+  for await (const p of historian.query(query)) points.push(p);
+  return points;
+}
+
+// Retention is measured from the real clock, so keep it out of the way of the fixed test dates
+const open = (options = {}) => new LocalHistorian(dir, { retentionMs: Infinity, ...options });
+
+test('appends points into one file per UTC hour', () => {
+  const historian = open();
+  historian.append([point(0), point(HOUR + 5), point(10), { ...point(0), timestamp: 'not a time' }]);
+
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['history-2026010110.ndjson', 'history-2026010111.ndjson']);
+  const lines = fs.readFileSync(path.join(dir, 'history-2026010110.ndjson'), 'utf-8').trim().split('\n');
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line).value), [0, 10]);
+  assert.strictEqual(historian.getStats().files, 2);
+  assert.strictEqual(historian.getStats().oldest, '2026-01-01T10:00:00.000Z');
+});
+
+test('queries a device range oldest first, end exclusive', async () => {
+  const historian = open();
+  historian.append([point(HOUR + 1000), point(3000), point(1000), point(2 * HOUR)]);
+  historian.append([point(2000, 'power', 'drive')]);
+
+  const points = await collect(historian, {
+    deviceId: 'meter',
+    start: new Date(BASE + 1000).toISOString(),
+    end: new Date(BASE + 2 * HOUR).toISOString(),
+  });
+  assert.deepStrictEqual(points.map(p => p.value), [1000, 3000, HOUR + 1000]);
+});
+
+test('filters by register', async () => {
+  const historian = open();
+  historian.append([point(0, 'power'), point(1, 'voltage'), point(2, 'current')]);
+
+  const points = await collect(historian, {
+    deviceId: 'meter',
+    registerIds: ['voltage', 'current'],
+    start: new Date(BASE).toISOString(),
+    end: new Date(BASE + HOUR).toISOString(),
+  });
+  assert.deepStrictEqual(points.map(p => p.registerId), ['voltage', 'current']);
+});
+
+test('finds history written by a previous run and skips torn lines', async () => {
+  open().append([point(0), point(5)]);
+  fs.appendFileSync(path.join(dir, 'history-2026010110.ndjson'), '{"deviceId":"meter","val');
+
+  const points = await collect(open(), { deviceId: 'meter', start: new Date(BASE).toISOString(), end: new Date(BASE + HOUR).toISOString() });
+  assert.deepStrictEqual(points.map(p => p.value), [0, 5]);
+});
+
+test('deletes hours past the retention period', () => {
+  const historian = open();
+  historian.append([point(0), point(HOUR), point(2 * HOUR)]);
+
+  historian.retentionMs = 2 * HOUR;
+  historian.prune(BASE + 4 * HOUR); // Keeps the hours that end after 12:00
+  assert.deepStrictEqual(fs.readdirSync(dir), ['history-2026010112.ndjson']);
+  assert.strictEqual(historian.getStats().files, 1);
+});
+
+test('deletes the oldest hours over the size cap', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const historian = open({ maxTotalSize: 250 });
+  historian.append([point(0), point(1)]);
+  historian.append([point(HOUR), point(HOUR + 1)]);
+
+  assert.deepStrictEqual(fs.readdirSync(dir), ['history-2026010111.ndjson']);
+  assert.ok(historian.getTotalSize() <= 250);
+});
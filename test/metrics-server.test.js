@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { MetricsServer } = require('../agent.js');
+
+async function startServer(t) {
+  t.mock.method(console, 'log', () => {});
+  const agent = { metrics: { render: () => 'modbus_agent_websocket_connected 1\n' } };
+  const metricsServer = new MetricsServer(agent, { host: '127.0.0.1', port: 0 });
+  metricsServer.start();
+  await once(metricsServer.server, 'listening');
+  t.after(() => metricsServer.server.close());
+  return `http://127.0.0.1:${metricsServer.server.address().port}`;
+}
+
+test('serves metrics in the Prometheus text format', async (t) => {
+  const baseUrl = await startServer(t);
+  const response = await fetch(`${baseUrl}/metrics`);
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  assert.strictEqual(await response.text(), 'modbus_agent_websocket_connected 1\n');
+});
+
+test('serves nothing but the metrics endpoint', async (t) => {
+  const baseUrl = await startServer(t);
+  for (const [method, pathname] of [['GET', '/'], ['GET', '/api/status'], ['POST', '/api/read'], ['POST', '/metrics']]) {
+    const response = await fetch(`${baseUrl}${pathname}`, { method });
+    assert.strictEqual(response.status, 404, `${method} ${pathname}`);
+    await response.text();
+  }
+});
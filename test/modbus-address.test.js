@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ModbusAddress, PollingConfigValidator } = require('../agent.js');
+
+const RESOLVE_CASES = [
+  // [register, group default, notation, expected]
+  [{ address: 40001 }, undefined, undefined, { functionCode: 3, address: 0 }],
+  [{ address: 30010 }, undefined, undefined, { functionCode: 4, address: 9 }],
+  [{ address: 400101 }, undefined, undefined, { functionCode: 3, address: 100 }],
+  [{ address: 100001 }, undefined, undefined, { functionCode: 2, address: 0 }],
+  [{ address: 1 }, 'input', undefined, { functionCode: 4, address: 0 }],
+  [{ address: 17, functionCode: 'coil' }, undefined, undefined, { functionCode: 1, address: 16 }],
+  // 1xxxx is a plain 1-based address unless Modicon notation is enabled
+  [{ address: 10001 }, undefined, undefined, { functionCode: 3, address: 10000 }],
+  [{ address: 10001 }, 'input', undefined, { functionCode: 4, address: 10000 }],
+  [{ address: 10001 }, undefined, 'modicon', { functionCode: 2, address: 0 }],
+  [{ address: 10005, addressNotation: 'modicon' }, undefined, undefined, { functionCode: 2, address: 4 }],
+  // An explicit function code that does not match the prefix keeps the address 1-based
+  [{ address: 40001, functionCode: 4 }, undefined, undefined, { functionCode: 4, address: 40000 }],
+];
+
+for (const [register, defaultSpec, notation, expected] of RESOLVE_CASES) {
+  test(`resolves ${JSON.stringify(register)} (default ${defaultSpec ?? '-'}, notation ${notation ?? '-'})`, () => {
+    assert.deepStrictEqual(ModbusAddress.resolve(register, defaultSpec, notation), expected);
+  });
+}
+
+test('parses function code aliases', () => {
+  assert.strictEqual(ModbusAddress.parseFunctionCode('FC2'), 2);
+  assert.strictEqual(ModbusAddress.parseFunctionCode('holding-registers'), 3);
+  assert.strictEqual(ModbusAddress.parseFunctionCode('3x'), 4);
+  assert.strictEqual(ModbusAddress.parseFunctionCode(undefined), null);
+  assert.throws(() => ModbusAddress.parseFunctionCode(5), /Unsupported/);
+  assert.throws(() => ModbusAddress.parseFunctionCode('analog'), /Unsupported/);
+});
+
+test('validator warns about 1xxxx addresses without Modicon notation', () => {
+  const config = notation => ({
+    devices: [{
+      deviceId: 'meter',
+      protocol: 'tcp',
+      connectionParams: { ip: '10.0.0.5' },
+      addressNotation: notation,
+      pollGroups: [{ groupId: 'g', interval: 1000, registers: [{ registerId: 'alarm', address: 10001 }] }],
+    }],
+  });
+  const plain = PollingConfigValidator.validate(config(undefined));
+  assert.ok(plain.warnings.some(w => w.path.endsWith('registers[0].address') && /addressNotation/.test(w.message)));
+
+  const modicon = PollingConfigValidator.validate(config('modicon'));
+  assert.deepStrictEqual(modicon.errors, []);
+  assert.ok(!modicon.warnings.some(w => w.path.endsWith('registers[0].address')));
+
+  const invalid = PollingConfigValidator.validate(config('iec'));
+  assert.ok(invalid.errors.some(e => e.path === 'devices[0].addressNotation'));
+});
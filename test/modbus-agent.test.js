@@ -0,0 +1,209 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ModbusAgent, ConnectionPool } = require('../agent.js');
+
+// An agent with just the fields the method under test uses; the constructor would open
+// buffers, timers and servers
+function createAgent(fields = {}) {
+  return Object.assign(Object.create(ModbusAgent.prototype), fields);
+}
+
+function mockFetch(t, body) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, options = {}) => {
+    requests.push({ url, options });
+    return { ok: true, status: 200, json: async () => body };
+  });
+  return requests;
+}
+
+const activeConfig = pollingConfig => ({
+  hasConfig: true,
+  config: { id: 'cfg-2', config_name: 'Line 2', polling_config: pollingConfig },
+});
+
+test('a cloud config that fails validation does not become the current config', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  mockFetch(t, activeConfig({ devices: [{ deviceId: 'meter', protocol: 'profinet' }] }));
+  const agent = createAgent({
+    endpoints: { configUrl: 'https://backend.example/config' },
+    registrationToken: 'reg-token',
+    currentConfigId: 'cfg-1',
+    currentConfigChecksum: 'checksum-1',
+    ws: null,
+  });
+
+  await agent.fetchAndApplyActiveConfig();
+
+  assert.strictEqual(agent.currentConfigId, 'cfg-1');
+  assert.strictEqual(agent.currentConfigChecksum, 'checksum-1');
+});
+
+test('a cloud config that fails to apply is retried on the next check', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  mockFetch(t, activeConfig({ devices: [] }));
+  let attempts = 0;
+  const agent = createAgent({
+    endpoints: { configUrl: 'https://backend.example/config' },
+    registrationToken: 'reg-token',
+    currentConfigId: null,
+    currentConfigChecksum: null,
+    handleSetPollingConfig: async () => ++attempts > 1,
+  });
+
+  await agent.fetchAndApplyActiveConfig();
+  assert.strictEqual(agent.currentConfigId, null);
+
+  await agent.fetchAndApplyActiveConfig();
+  assert.strictEqual(attempts, 2);
+  assert.strictEqual(agent.currentConfigId, 'cfg-2');
+  assert.ok(agent.currentConfigChecksum);
+});
+
+function createUploader(fields = {}) {
+  return createAgent({
+    endpoints: { ingestUrl: 'https://backend.example/ingest', restUrl: 'https://backend.example/rest/v1', anonKey: null },
+    agentId: 'agent-1',
+    registrationToken: 'reg-token',
+    jwt: 'agent-jwt',
+    jwtExpiry: Date.now() + 60 * 60 * 1000,
+    uploadsInFlight: 0,
+    maxInFlightUploads: 2,
+    uploadSlotWaiters: [],
+    uploadStats: { uploadedPoints: 0, duplicatePoints: 0, acknowledgedBatches: 0, failedBatches: 0 },
+    isOnline: true,
+    offlineBuffer: { getRecordCount: () => 0 },
+    ...fields,
+  });
+}
+
+test('batch uploads and buffering status send the agent JWT', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const requests = mockFetch(t, { success: true, inserted: 1 });
+  const agent = createUploader();
+
+  await agent.postIngestBatch([{ registerId: 'v', value: 1 }], 'segment:0:1');
+  await agent.updateBufferingStatus();
+
+  assert.strictEqual(requests.length, 2);
+  for (const { options } of requests) {
+    assert.strictEqual(options.headers.Authorization, 'Bearer agent-jwt');
+  }
+  assert.strictEqual(requests[0].options.headers['Idempotency-Key'], 'segment:0:1');
+});
+
+test('batch uploads refresh an expired JWT first', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    requests.push({ url, options });
+    const body = url.endsWith('/auth')
+      ? { jwt: 'fresh-jwt', expires_in: 3600 }
+      : { success: true, inserted: 1 };
+    return { ok: true, status: 200, json: async () => body };
+  });
+  const agent = createUploader({
+    endpoints: { authUrl: 'https://backend.example/auth', ingestUrl: 'https://backend.example/ingest' },
+    jwt: null,
+    jwtExpiry: null,
+  });
+
+  await agent.postIngestBatch([{ registerId: 'v', value: 1 }], 'segment:0:1');
+
+  assert.deepStrictEqual(requests.map(r => r.url), ['https://backend.example/auth', 'https://backend.example/ingest']);
+  assert.strictEqual(JSON.parse(requests[0].options.body).registration_token, 'reg-token');
+  assert.strictEqual(requests[1].options.headers.Authorization, 'Bearer fresh-jwt');
+});
+
+test('a historical upload tick is skipped while the previous one is still running', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  let buffered = [{ registerId: 'v', value: 1 }];
+  let drains = 0;
+  let finishUpload;
+  const uploads = [];
+  const agent = createAgent({
+    historicalAggregator: { flushExpired: () => [] },
+    storeAggregates() {},
+    historicalBuffer: {
+      size: () => buffered.length,
+      drain: () => { drains++; const points = buffered; buffered = []; return points; },
+    },
+    historian: { append() {} },
+    offlineBuffer: { getRecordCount: () => 0 },
+    uploadBatchSize: 100,
+    canUpload: () => true,
+    postIngestBatch: (dataPoints) => {
+      uploads.push(dataPoints);
+      return new Promise(resolve => { finishUpload = resolve; });
+    },
+    recordUploadSuccess() {},
+    updateBufferingStatus() {},
+  });
+
+  const first = agent.uploadHistoricalData();
+  buffered = [{ registerId: 'v', value: 2 }]; // New samples arrive while the upload is slow
+  await agent.uploadHistoricalData();
+  assert.strictEqual(drains, 1);
+  assert.strictEqual(uploads.length, 1);
+
+  finishUpload({ success: true });
+  await first;
+  const next = agent.uploadHistoricalData();
+  finishUpload({ success: true });
+  await next;
+  assert.strictEqual(drains, 2);
+  assert.deepStrictEqual(uploads.map(points => points[0].value), [1, 2]);
+});
+
+test('history queries are sent in chunks and stop at the limit', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const sent = [];
+  let query;
+  const agent = createAgent({
+    ws: null,
+    historian: {
+      async *query(params) {
+        query = params;
+        for (let value = 0; value < 10; value++) yield { registerId: 'power', value };
+      },
+    },
+    sendResult: (commandId, type, data) => sent.push({ commandId, type, ...data }),
+    sendError: (commandId, message) => sent.push({ commandId, error: message }),
+  });
+
+  await agent.handleHistoryQuery({
+    commandId: 'q-1',
+    params: { deviceId: 'meter', registerId: 'power', start: '2026-01-01T00:00:00Z', limit: 5, chunkSize: 2 },
+  });
+
+  assert.deepStrictEqual(query, { deviceId: 'meter', registerIds: ['power'], start: '2026-01-01T00:00:00Z', end: undefined });
+  assert.deepStrictEqual(sent.map(m => [m.chunkIndex, m.points.map(p => p.value), m.done]), [
+    [0, [0, 1], false],
+    [1, [2, 3], false],
+    [2, [4], true],
+  ]);
+  assert.strictEqual(sent[2].totalPoints, 5);
+  assert.strictEqual(sent[2].truncated, true);
+});
+
+test('history queries without a valid start are rejected', async () => {
+  const errors = [];
+  const agent = createAgent({ sendError: (commandId, message) => errors.push(message) });
+  await agent.handleHistoryQuery({ commandId: 'q-2', params: { deviceId: 'meter', start: 'yesterday' } });
+  assert.deepStrictEqual(errors, ['start must be an ISO timestamp']);
+});
+
+test('addresses unit ID 0 on a shared connection instead of falling back to 1', async () => {
+  const agent = createAgent({
+    requestQueue: { enqueue: (params, priority, task) => task() },
+    connections: new ConnectionPool(),
+  });
+  const unitIds = [];
+  const client = { setID: unitId => unitIds.push(unitId) };
+
+  await agent.enqueueTransaction(client, { protocol: 'tcp', deviceIp: '10.0.0.5', unitId: 0 }, 'poll', async () => {});
+  await agent.enqueueTransaction(client, { protocol: 'tcp', deviceIp: '10.0.0.5' }, 'poll', async () => {});
+  assert.deepStrictEqual(unitIds, [0, 1]);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ModbusServerMirror, DataTypeDecoder } = require('../agent.js');
+
+function createMirror(map, values) {
+  const agent = {
+    valueCache: {
+      getLastValue: (deviceId, registerId) => values[registerId],
+      getUpdatedAt: () => Date.now(),
+    },
+    deviceHealth: { getStatus: () => 'online' },
+    metrics: { inc() {} },
+  };
+  const mirror = new ModbusServerMirror(agent, { map, staleAfter: 0, staleBehavior: 'exception' });
+  mirror.buildTables();
+  return mirror;
+}
+
+const entry = (registerId, address, extra = {}) => ({ unitId: 1, deviceId: 'meter', registerId, address, ...extra });
+
+test('scales numeric values into registers', () => {
+  const mirror = createMirror([entry('power', 40001, { dataType: 'uint16', scale: 10 })], { power: 12.3 });
+  assert.deepStrictEqual(mirror.readWords(1, 3, 0, 1), [123]);
+});
+
+test('encodes strings per their data type instead of scaling them', () => {
+  const mirror = createMirror([entry('name', 40001, { dataType: 'string', count: 2, scale: 10 })], { name: 'AB' });
+  assert.deepStrictEqual(mirror.readWords(1, 3, 0, 2), DataTypeDecoder.encode('AB', { dataType: 'string', count: 2 }));
+});
+
+test('encodes booleans as 0 or 1', () => {
+  const mirror = createMirror([
+    entry('running', 40001, { dataType: 'uint16' }),
+    entry('alarm', 40002, { dataType: 'boolean' }),
+  ], { running: true, alarm: true });
+  assert.deepStrictEqual(mirror.readWords(1, 3, 0, 2), [1, 1]);
+});
+
+test('answers a non-numeric value for a numeric type with an exception', () => {
+  const mirror = createMirror([entry('power', 40001, { dataType: 'float32' })], { power: 'n/a' });
+  assert.throws(() => mirror.readWords(1, 3, 0, 2), error =>
+    error.modbusErrorCode === ModbusServerMirror.EXCEPTION.GATEWAY_TARGET_FAILED && /not numeric/.test(error.message));
+  assert.strictEqual(mirror.stats.exceptions, 1);
+});
+
+test('answers unmapped addresses and units with exceptions', () => {
+  const mirror = createMirror([entry('power', 40001)], { power: 1 });
+  assert.throws(() => mirror.readWords(1, 3, 5, 1), error => error.modbusErrorCode === ModbusServerMirror.EXCEPTION.ILLEGAL_ADDRESS);
+  assert.throws(() => mirror.readWords(2, 3, 0, 1), error => error.modbusErrorCode === ModbusServerMirror.EXCEPTION.GATEWAY_PATH_UNAVAILABLE);
+});
+
+test('rejects a scale that is zero or not a finite number', () => {
+  for (const scale of [0, Infinity, NaN, '10']) {
+    assert.deepStrictEqual(ModbusServerMirror.validateMap([entry('power', 40001, { scale })]),
+      ['modbusServer.map[0].scale must be a finite, non-zero number'], String(scale));
+  }
+  assert.deepStrictEqual(ModbusServerMirror.validateMap([entry('power', 40001, { scale: -0.1 })]), []);
+});
@@ -0,0 +1,72 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MqttPublisher } = require('../agent.js');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-publisher-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function createPublisher(sparkplugEnabled = false) {
+  const publisher = new MqttPublisher({ settings: { bufferDir: dir } }, {
+    topicTemplate: 'plant/{deviceId}/{registerId}',
+    qos: 1,
+    retain: false,
+    sparkplug: { enabled: sparkplugEnabled, groupId: 'plant', edgeNodeId: 'edge' },
+  });
+  publisher.client = { connected: true, options: {}, publishAsync: async () => {} };
+  return publisher;
+}
+
+const change = value => ({ deviceId: 'meter', registerId: 'voltage', value, timestamp: 1 });
+
+test('queues changes on disk when a publish fails', async () => {
+  const publisher = createPublisher();
+  publisher.client.publishAsync = async () => { throw new Error('connection lost'); };
+
+  publisher.pending = [change(1), change(2)];
+  publisher.flushPending();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(publisher.stats.errors, 2);
+  assert.strictEqual(publisher.stats.queued, 2);
+  assert.deepStrictEqual(publisher.queue.getBufferedData().map(c => c.value), [1, 2]);
+});
+
+test('publishes without queueing when the broker accepts the changes', async () => {
+  const publisher = createPublisher();
+  publisher.pending = [change(1)];
+  publisher.flushPending();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(publisher.stats.published, 1);
+  assert.strictEqual(publisher.queue.getRecordCount(), 0);
+});
+
+test('advances bdSeq once per established session, not per failed reconnect', () => {
+  const publisher = createPublisher(true);
+  publisher.publishBirths = async () => {};
+  publisher.drainQueue = () => {};
+  publisher.client.subscribe = () => {};
+
+  publisher.onConnect();
+  publisher.onClose();
+  assert.strictEqual(publisher.bdSeq, 1);
+
+  // Reconnect attempts the broker never accepted
+  publisher.onClose();
+  publisher.onClose();
+  assert.strictEqual(publisher.bdSeq, 1);
+
+  publisher.onConnect();
+  publisher.onClose();
+  assert.strictEqual(publisher.bdSeq, 2);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { NetworkScanner } = require('../agent.js');
+
+const TARGET_CASES = [
+  ['single address', '192.168.1.20', ['192.168.1.20']],
+  ['/32 is the address itself', '10.0.0.7/32', ['10.0.0.7']],
+  ['/31 keeps both addresses', '10.0.0.6/31', ['10.0.0.6', '10.0.0.7']],
+  ['/30 skips network and broadcast', '10.0.0.4/30', ['10.0.0.5', '10.0.0.6']],
+  ['host bits are masked off', '10.0.0.77/30', ['10.0.0.77', '10.0.0.78']],
+  ['last-octet range', '192.168.1.10-12', ['192.168.1.10', '192.168.1.11', '192.168.1.12']],
+  ['full range across octets', '10.0.0.254-10.0.1.1', ['10.0.0.254', '10.0.0.255', '10.0.1.0', '10.0.1.1']],
+  ['comma and space separated', '10.0.0.1, 10.0.0.2 10.0.0.3', ['10.0.0.1', '10.0.0.2', '10.0.0.3']],
+  ['list input', ['10.0.0.1', '10.0.0.2/32'], ['10.0.0.1', '10.0.0.2']],
+  ['duplicates are scanned once', '10.0.0.1-2,10.0.0.2', ['10.0.0.1', '10.0.0.2']],
+];
+
+for (const [description, spec, expected] of TARGET_CASES) {
+  test(`parseTargets: ${description}`, () => {
+    assert.deepStrictEqual(NetworkScanner.parseTargets(spec), expected);
+  });
+}
+
+test('parseTargets: CIDR block sizes', () => {
+  const hosts = NetworkScanner.parseTargets('172.16.5.9/24');
+  assert.strictEqual(hosts.length, 254);
+  assert.strictEqual(hosts[0], '172.16.5.1');
+  assert.strictEqual(hosts[253], '172.16.5.254');
+
+  const large = NetworkScanner.parseTargets('10.1.0.0/16');
+  assert.strictEqual(large.length, 65534);
+  assert.strictEqual(large[large.length - 1], '10.1.255.254');
+});
+
+const INVALID_TARGETS = [
+  ['empty', '', /No IP range given/],
+  ['prefix above 32', '10.0.0.0/33', /Invalid CIDR prefix/],
+  ['octet above 255', '10.0.0.256', /Invalid IP address/],
+  ['three octets', '10.0.1', /Invalid IP address/],
+  ['hostname', 'plc.local', /Invalid IP address/],
+  ['reversed range', '10.0.0.9-3', /Invalid IP range/],
+  ['more than the host limit', '10.0.0.0/15', /limited to 65536/],
+  ['limit counts every part', '10.1.0.0/16,10.2.0.0/24', /limited to 65536/],
+];
+
+for (const [description, spec, message] of INVALID_TARGETS) {
+  test(`parseTargets rejects ${description}`, () => {
+    assert.throws(() => NetworkScanner.parseTargets(spec), message);
+  });
+}
+
+test('parseUnitIds accepts numbers, lists and ranges', () => {
+  assert.deepStrictEqual(NetworkScanner.parseUnitIds(1), [1]);
+  assert.deepStrictEqual(NetworkScanner.parseUnitIds([3, 1]), [3, 1]);
+  assert.deepStrictEqual(NetworkScanner.parseUnitIds('1-3,247'), [1, 2, 3, 247]);
+  assert.throws(() => NetworkScanner.parseUnitIds('5-2'), /Invalid unit ID/);
+  assert.throws(() => NetworkScanner.parseUnitIds(256), /Invalid unit ID/);
+  assert.throws(() => NetworkScanner.parseUnitIds(''), /No unit IDs/);
+});
+
+test('parseProbes resolves Modicon addresses and defaults to FC3', () => {
+  assert.deepStrictEqual(NetworkScanner.parseProbes([
+    { address: 30001 },
+    { address: 10, count: 500 },
+    { functionCode: 'coil', address: 5 },
+  ]), [
+    { functionCode: 4, address: 0, count: 1 },
+    { functionCode: 3, address: 10, count: 125 },
+    { functionCode: 1, address: 5, count: 1 },
+  ]);
+  assert.throws(() => NetworkScanner.parseProbes([]), /non-empty list/);
+});
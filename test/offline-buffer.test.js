@@ -0,0 +1,165 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { OfflineBuffer } = require('../agent.js');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-buffer-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const points = (from, count) => Array.from({ length: count }, (_, i) => ({ registerId: 'r', value: from + i }));
+
+test('buffers only while offline unless forced', () => {
+  const buffer = new OfflineBuffer(dir);
+  buffer.addDataPoints(points(0, 3));
+  assert.strictEqual(buffer.getRecordCount(), 0);
+
+  buffer.addDataPoints(points(0, 3), true);
+  buffer.startBuffering();
+  buffer.addDataPoints(points(3, 2));
+  assert.strictEqual(buffer.getRecordCount(), 5);
+  assert.deepStrictEqual(buffer.getBufferedData().map(p => p.value), [0, 1, 2, 3, 4]);
+});
+
+test('rotates segments at the size limit and gzips closed ones', () => {
+  const buffer = new OfflineBuffer(dir, { maxSegmentSize: 100 });
+  buffer.startBuffering();
+  for (let i = 0; i < 10; i++) buffer.addDataPoints(points(i * 3, 3));
+
+  const segments = buffer.getPendingSegments();
+  assert.ok(segments.length > 1);
+  assert.ok(segments.every(segment => segment.compressed && segment.file.endsWith('.ndjson.gz')));
+  assert.deepStrictEqual(segments.map(s => s.seq), [...segments.map(s => s.seq)].sort((a, b) => a - b));
+  assert.deepStrictEqual(buffer.getBufferedData().map(p => p.value), points(0, 30).map(p => p.value));
+});
+
+test('recovers a segment left open by a crashed run', () => {
+  const crashed = new OfflineBuffer(dir);
+  crashed.startBuffering();
+  crashed.addDataPoints(points(0, 4));
+  fs.closeSync(crashed.active.fd); // never closed properly, as after a crash
+
+  const recovered = new OfflineBuffer(dir);
+  assert.strictEqual(recovered.getRecordCount(), 4);
+  assert.strictEqual(recovered.segments.length, 1);
+  assert.strictEqual(recovered.segments[0].compressed, true);
+  assert.deepStrictEqual(recovered.getBufferedData().map(p => p.value), [0, 1, 2, 3]);
+
+  // New segments continue the sequence instead of overwriting the recovered one
+  recovered.addDataPoints(points(4, 1), true);
+  const [first, second] = recovered.getPendingSegments();
+  assert.ok(second.seq > first.seq);
+});
+
+test('skips a truncated last line', () => {
+  const segmentDir = path.join(dir, 'segments');
+  fs.mkdirSync(segmentDir, { recursive: true });
+  const lines = points(0, 2).map(p => JSON.stringify(p)).join('\n') + '\n{"registerId":"r","val';
+  fs.writeFileSync(path.join(segmentDir, 'segment-000000000001.ndjson'), lines);
+
+  const buffer = new OfflineBuffer(dir);
+  assert.deepStrictEqual(buffer.getBufferedData().map(p => p.value), [0, 1]);
+});
+
+test('moves an unreadable segment aside', () => {
+  const segmentDir = path.join(dir, 'segments');
+  fs.mkdirSync(segmentDir, { recursive: true });
+  fs.writeFileSync(path.join(segmentDir, 'segment-000000000001.ndjson.gz'), 'not gzip');
+  fs.writeFileSync(path.join(segmentDir, 'segment-000000000002.ndjson.gz'), zlib.gzipSync(JSON.stringify({ value: 7 }) + '\n'));
+
+  const buffer = new OfflineBuffer(dir);
+  assert.deepStrictEqual(buffer.getBufferedData(), [{ value: 7 }]);
+  assert.ok(fs.readdirSync(segmentDir).some(name => name.startsWith('segment-000000000001.ndjson.gz.corrupt-')));
+});
+
+test('acknowledged offsets survive a restart and are excluded from the record count', () => {
+  const buffer = new OfflineBuffer(dir);
+  buffer.addDataPoints(points(0, 10), true);
+  const [segment] = buffer.getPendingSegments();
+  buffer.setAcknowledgedRecords(segment, 4);
+  assert.strictEqual(buffer.getRecordCount(), 6);
+
+  const restarted = new OfflineBuffer(dir);
+  const [recovered] = restarted.getPendingSegments();
+  assert.strictEqual(recovered.acknowledged, 4);
+  assert.strictEqual(restarted.getAcknowledgedRecords(recovered), 4);
+  assert.strictEqual(restarted.getRecordCount(), 6);
+
+  restarted.deleteSegment(recovered);
+  assert.strictEqual(restarted.getRecordCount(), 0);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'segments')), []);
+});
+
+test('removes ack files whose segment is gone', () => {
+  const segmentDir = path.join(dir, 'segments');
+  fs.mkdirSync(segmentDir, { recursive: true });
+  fs.writeFileSync(path.join(segmentDir, 'segment-000000000009.ack'), JSON.stringify({ records: 3 }));
+
+  new OfflineBuffer(dir);
+  assert.deepStrictEqual(fs.readdirSync(segmentDir), []);
+});
+
+test('drops the oldest segments over the size cap, counting only unacknowledged records', () => {
+  const buffer = new OfflineBuffer(dir, { maxSegmentSize: 1, maxTotalSize: 200, compress: false });
+  buffer.addDataPoints(points(0, 5), true);
+  assert.strictEqual(buffer.segments.length, 1);
+  buffer.setAcknowledgedRecords(buffer.segments[0], 2);
+
+  buffer.addDataPoints(points(5, 5), true);
+  assert.strictEqual(buffer.droppedRecords, 3);
+  assert.deepStrictEqual(buffer.segments.map(s => s.seq), [2]);
+});
+
+test('drops segments past the retention period', () => {
+  const buffer = new OfflineBuffer(dir, { retentionMs: 1000 });
+  buffer.addDataPoints(points(0, 3), true);
+  buffer.getPendingSegments()[0].createdAt = Date.now() - 5000;
+
+  buffer.addDataPoints(points(3, 1), true);
+  assert.strictEqual(buffer.droppedRecords, 3);
+  assert.deepStrictEqual(buffer.getBufferedData().map(p => p.value), [3]);
+});
+
+test('migrates the legacy JSON buffer file', () => {
+  fs.writeFileSync(path.join(dir, 'offline-buffer.json'), JSON.stringify(points(0, 3)));
+
+  const buffer = new OfflineBuffer(dir);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'offline-buffer.json')), false);
+  assert.deepStrictEqual(buffer.getBufferedData().map(p => p.value), [0, 1, 2]);
+});
+
+test('gives recovered segments without an id a stable one', () => {
+  const segmentDir = path.join(dir, 'segments');
+  fs.mkdirSync(segmentDir, { recursive: true });
+  fs.writeFileSync(path.join(segmentDir, 'segment-000000000001.ndjson.gz'), zlib.gzipSync(JSON.stringify({ value: 1 }) + '\n'));
+
+  const [segment] = new OfflineBuffer(dir).getPendingSegments();
+  assert.match(segment.id, /^[0-9a-f]{16}$/);
+  assert.strictEqual(path.basename(segment.file), `segment-000000000001-${segment.id}.ndjson.gz`);
+
+  const [again] = new OfflineBuffer(dir).getPendingSegments();
+  assert.strictEqual(again.id, segment.id);
+});
+
+test('stores a batch under its own segment id so a retry reuses its key', () => {
+  const buffer = new OfflineBuffer(dir);
+  buffer.addDataPoints(points(0, 2), true);
+  const segmentId = OfflineBuffer.newSegmentId();
+  buffer.addDataPoints(points(2, 3), true, segmentId);
+  buffer.addDataPoints(points(5, 1), true);
+
+  const segments = new OfflineBuffer(dir).getPendingSegments();
+  assert.deepStrictEqual(segments.map(s => s.records), [2, 3, 1]);
+  assert.strictEqual(segments[1].id, segmentId);
+  assert.strictEqual(OfflineBuffer.batchKey(segments[1].id, 0, segments[1].records), `${segmentId}:0:3`);
+  assert.notStrictEqual(segments[0].id, segments[2].id);
+});
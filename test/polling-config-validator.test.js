@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PollingConfigValidator } = require('../agent.js');
+
+function baseConfig() {
+  return {
+    batchWindow: 2000,
+    devices: [
+      {
+        deviceId: 'meter',
+        protocol: 'tcp',
+        byteOrder: 'CDAB',
+        connectionParams: { ip: '10.0.0.5', port: 502, unitId: 1 },
+        pollGroups: [
+          {
+            groupId: 'fast',
+            interval: 1000,
+            deadband: 0.5,
+            registers: [
+              { registerId: 'voltage', address: 40001, dataType: 'float32' },
+              { registerId: 'status', address: 40010, dataType: 'uint16', bit: 3 },
+            ],
+          },
+          {
+            groupId: 'inputs',
+            interval: 5000,
+            functionCode: 'input',
+            registers: [{ registerId: 'energy', address: 1, dataType: 'uint32', scale: 0.1 }],
+          },
+        ],
+      },
+      {
+        deviceId: 'drive',
+        protocol: 'rtu',
+        connectionParams: { serialPort: '/dev/ttyUSB0', baudRate: 19200, parity: 'even', unitId: 2 },
+        pollGroups: [{ groupId: 'slow', interval: 2000, registers: [{ registerId: 'speed', address: 40100 }] }],
+      },
+    ],
+  };
+}
+
+test('accepts a valid configuration', () => {
+  const result = PollingConfigValidator.validate(baseConfig());
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.warnings, []);
+  assert.strictEqual(result.valid, true);
+});
+
+// [description, mutate(config), path of the expected error]
+const ERROR_CASES = [
+  ['config is not an object', () => [], ''],
+  ['devices missing', c => { delete c.devices; }, 'devices'],
+  ['negative batch window', c => { c.batchWindow = -1; }, 'batchWindow'],
+  ['bad circuit breaker setting', c => { c.circuitBreaker = { offlineAfter: 0 }; }, 'circuitBreaker.offlineAfter'],
+  ['duplicate deviceId', c => { c.devices[1].deviceId = 'meter'; }, 'devices[1].deviceId'],
+  ['unknown protocol', c => { c.devices[0].protocol = 'profinet'; }, 'devices[0].protocol'],
+  ['protocol cannot be inferred', c => { delete c.devices[0].protocol; c.devices[0].connectionParams = { unitId: 1 }; }, 'devices[0].protocol'],
+  ['TCP without IP', c => { delete c.devices[0].connectionParams.ip; }, 'devices[0].connectionParams.ip'],
+  ['port out of range', c => { c.devices[0].connectionParams.port = 70000; }, 'devices[0].connectionParams.port'],
+  ['RTU without serial port', c => { delete c.devices[1].connectionParams.serialPort; }, 'devices[1].connectionParams.serialPort'],
+  ['unknown parity', c => { c.devices[1].connectionParams.parity = 'high'; }, 'devices[1].connectionParams.parity'],
+  ['stop bits', c => { c.devices[1].connectionParams.stopBits = 3; }, 'devices[1].connectionParams.stopBits'],
+  ['unit ID out of range', c => { c.devices[0].connectionParams.unitId = 300; }, 'devices[0].connectionParams.unitId'],
+  ['ASCII without port or IP', c => { c.devices[1].protocol = 'ascii'; delete c.devices[1].connectionParams.serialPort; }, 'devices[1].connectionParams'],
+  ['unknown device byte order', c => { c.devices[0].byteOrder = 'BACD'; }, 'devices[0].byteOrder'],
+  ['pollGroups missing', c => { delete c.devices[0].pollGroups; }, 'devices[0].pollGroups'],
+  ['duplicate groupId', c => { c.devices[0].pollGroups[1].groupId = 'fast'; }, 'devices[0].pollGroups[1].groupId'],
+  ['interval below minimum', c => { c.devices[0].pollGroups[0].interval = 50; }, 'devices[0].pollGroups[0].interval'],
+  ['unknown overrun mode', c => { c.devices[0].pollGroups[0].overrunMode = 'queue'; }, 'devices[0].pollGroups[0].overrunMode'],
+  ['unknown group function code', c => { c.devices[0].pollGroups[1].functionCode = 'FC9'; }, 'devices[0].pollGroups[1].functionCode'],
+  ['negative deadband', c => { c.devices[0].pollGroups[0].deadband = -1; }, 'devices[0].pollGroups[0].deadband'],
+  ['unknown compression', c => { c.devices[0].pollGroups[0].historicalCompression = 'gzip'; }, 'devices[0].pollGroups[0].historicalCompression'],
+  ['duplicate registerId across groups', c => { c.devices[0].pollGroups[1].registers[0].registerId = 'voltage'; }, 'devices[0].pollGroups[1].registers[0].registerId'],
+  ['negative address', c => { c.devices[0].pollGroups[0].registers[0].address = -1; }, 'devices[0].pollGroups[0].registers[0].address'],
+  ['unknown data type', c => { c.devices[0].pollGroups[0].registers[0].dataType = 'decimal'; }, 'devices[0].pollGroups[0].registers[0].dataType'],
+  ['string longer than one read', c => { c.devices[0].pollGroups[0].registers[0] = { registerId: 'name', address: 40001, dataType: 'string', count: 126 }; }, 'devices[0].pollGroups[0].registers[0]'],
+  ['address beyond 65535', c => { c.devices[0].pollGroups[0].registers[0].address = 465536; }, 'devices[0].pollGroups[0].registers[0].address'],
+  ['bit out of range', c => { c.devices[0].pollGroups[0].registers[1].bit = 16; }, 'devices[0].pollGroups[0].registers[1].bit'],
+  ['unknown register byte order', c => { c.devices[0].pollGroups[0].registers[0].byteOrder = 'XYZW'; }, 'devices[0].pollGroups[0].registers[0].byteOrder'],
+  ['non-numeric scale', c => { c.devices[0].pollGroups[1].registers[0].scale = '0.1'; }, 'devices[0].pollGroups[1].registers[0].scale'],
+  ['empty raw range', c => { Object.assign(c.devices[0].pollGroups[0].registers[0], { rawMin: 0, rawMax: 0, euMin: 0, euMax: 100 }); }, 'devices[0].pollGroups[0].registers[0].rawMax'],
+  ['unit not a string', c => { c.devices[0].pollGroups[0].registers[0].unit = 230; }, 'devices[0].pollGroups[0].registers[0].unit'],
+  ['keepRaw not boolean', c => { c.devices[0].pollGroups[0].registers[0].keepRaw = 'true'; }, 'devices[0].pollGroups[0].registers[0].keepRaw'],
+  ['storeRawSamples not boolean', c => { c.devices[0].pollGroups[0].registers[0].storeRawSamples = 'yes'; }, 'devices[0].pollGroups[0].registers[0].storeRawSamples'],
+];
+
+for (const [description, mutate, path] of ERROR_CASES) {
+  test(`rejects ${description}`, () => {
+    const config = baseConfig();
+    const replaced = mutate(config);
+    const result = PollingConfigValidator.validate(replaced ?? config);
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(e => e.path === path), `no error at "${path}": ${JSON.stringify(result.errors)}`);
+  });
+}
+
+// [description, mutate(config), path of the expected warning]
+const WARNING_CASES = [
+  ['no devices', c => { c.devices = []; }, 'devices'],
+  ['missing protocol is inferred', c => { delete c.devices[1].protocol; }, 'devices[1].protocol'],
+  ['unit ID outside 1-247', c => { c.devices[0].connectionParams.unitId = 0; }, 'devices[0].connectionParams.unitId'],
+  ['tight serial interval', c => { c.devices[1].pollGroups[0].interval = 200; }, 'devices[1].pollGroups[0].interval'],
+  ['empty poll group', c => { c.devices[0].pollGroups[1].registers = []; }, 'devices[0].pollGroups[1].registers'],
+  ['aggregation window shorter than the interval', c => { c.devices[0].pollGroups[0].aggregationWindow = 500; }, 'devices[0].pollGroups[0].aggregationWindow'],
+  ['prefix contradicts the function code', c => { c.devices[0].pollGroups[0].registers[0].functionCode = 4; }, 'devices[0].pollGroups[0].registers[0].address'],
+  ['data type on a coil', c => { Object.assign(c.devices[0].pollGroups[0].registers[0], { address: 1, functionCode: 'coil' }); }, 'devices[0].pollGroups[0].registers[0].dataType'],
+  ['partial range mapping', c => { c.devices[0].pollGroups[0].registers[0].rawMin = 0; }, 'devices[0].pollGroups[0].registers[0]'],
+  ['mixed line settings on one serial port', c => {
+    c.devices.push({
+      deviceId: 'drive-2',
+      protocol: 'rtu',
+      connectionParams: { serialPort: '/dev/ttyUSB0', baudRate: 9600, unitId: 3 },
+      pollGroups: [{ groupId: 'slow', interval: 2000, registers: [{ registerId: 'speed', address: 40100 }] }],
+    });
+  }, 'devices[2].connectionParams'],
+];
+
+for (const [description, mutate, path] of WARNING_CASES) {
+  test(`warns about ${description}`, () => {
+    const config = baseConfig();
+    mutate(config);
+    const result = PollingConfigValidator.validate(config);
+    assert.deepStrictEqual(result.errors, []);
+    assert.ok(result.warnings.some(w => w.path === path), `no warning at "${path}": ${JSON.stringify(result.warnings)}`);
+  });
+}
+
+test('reports every problem, not just the first', () => {
+  const config = baseConfig();
+  config.devices[0].connectionParams.port = 0;
+  config.devices[1].pollGroups[0].interval = 10;
+  config.devices[1].pollGroups[0].registers[0].dataType = 'int128';
+  const result = PollingConfigValidator.validate(config);
+  assert.deepStrictEqual(result.errors.map(e => e.path), [
+    'devices[0].connectionParams.port',
+    'devices[1].pollGroups[0].interval',
+    'devices[1].pollGroups[0].registers[0].dataType',
+  ]);
+});
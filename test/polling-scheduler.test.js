@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PollingScheduler } = require('../agent.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Just enough of the agent for scheduling; pollGroup is replaced, so nothing talks Modbus
+function createScheduler(pollDurationMs = 0) {
+  const agent = {
+    connections: { acquire() {}, release() {} },
+    metrics: { observe() {}, forget() {} },
+    deviceHealth: { retain() {} },
+  };
+  const scheduler = new PollingScheduler(agent);
+  scheduler.pollGroup = () => sleep(pollDurationMs);
+  return scheduler;
+}
+
+const config = interval => ({
+  devices: [{
+    deviceId: 'meter',
+    protocol: 'tcp',
+    connectionParams: { ip: '10.0.0.5', unitId: 1 },
+    pollGroups: [{ groupId: 'fast', interval, registers: [{ registerId: 'v', address: 40001 }] }],
+  }],
+});
+
+test('retiming a group does not count late starts', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const scheduler = createScheduler();
+  scheduler.updateSchedule(config(400));
+  await sleep(750); // One tick at 400ms, then retime 350ms after it
+
+  const summary = scheduler.updateSchedule(config(100));
+  assert.strictEqual(summary.retimed, 1);
+  await sleep(350);
+  const [stats] = scheduler.getGroupStats();
+  scheduler.stopPolling();
+
+  assert.strictEqual(stats.interval, 100);
+  assert.ok(stats.cycles >= 3, `expected at least 3 cycles, got ${stats.cycles}`);
+  assert.strictEqual(stats.lateStarts, 0);
+});
+
+test('overrunning cycles are skipped by default', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const scheduler = createScheduler(130);
+  scheduler.updateSchedule(config(50));
+  await sleep(330);
+  const [stats] = scheduler.getGroupStats();
+  scheduler.stopPolling();
+  await sleep(150); // Let the running cycle finish
+
+  assert.ok(stats.skippedCycles > 0);
+  assert.strictEqual(stats.coalescedCycles, 0);
+});
+
+test('infers the protocol of a device without one when reconnecting', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const connected = [];
+  const clients = [{ isOpen: false }, { isOpen: true }];
+  const agent = {
+    deviceHealth: {
+      canAttempt: () => ({ allowed: true }),
+      isHealthy: () => true,
+      recordSuccess() {},
+      recordFailure() {},
+    },
+    metrics: { inc() {}, observe() {} },
+    connectToDevice: async (params) => {
+      connected.push(params.protocol);
+      return clients.shift();
+    },
+    enqueueTransaction: async () => ({ data: [5] }),
+  };
+  const scheduler = new PollingScheduler(agent);
+  const read = [];
+  const bad = [];
+  scheduler.processReadResult = (device, group, readCmd, data) => read.push(data);
+  scheduler.markRegistersBad = (device, group, registers) => bad.push(...registers);
+
+  const device = {
+    deviceId: 'drive',
+    connectionParams: { serialPort: '/dev/ttyUSB0', unitId: 2 },
+  };
+  const group = { groupId: 'slow', registers: [{ registerId: 'speed', address: 40100 }] };
+  await scheduler.pollGroup(device, group);
+
+  assert.deepStrictEqual(connected, ['rtu', 'rtu']);
+  assert.deepStrictEqual(read, [[5]]);
+  assert.deepStrictEqual(bad, []);
+});
+
+test('applying a config diff only touches the devices that changed', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = [];
+  const forgotten = [];
+  const agent = {
+    connections: {
+      acquire: (connectionKey, owner) => calls.push(`acquire ${owner}`),
+      release: (connectionKey, owner) => calls.push(`release ${owner}`),
+    },
+    metrics: { observe() {}, forget() {} },
+    deviceHealth: { retain: deviceIds => calls.push(`retain ${deviceIds.join(',')}`) },
+    valueCache: { removeValue: (deviceId, registerId) => forgotten.push(`${deviceId}/${registerId}`) },
+    historicalCompressor: { reset() {} },
+    historicalAggregator: { flush: () => [] },
+    storeAggregates() {},
+  };
+  const scheduler = new PollingScheduler(agent);
+  scheduler.pollGroup = async () => {};
+
+  const device = (deviceId, ip, interval) => ({
+    deviceId,
+    protocol: 'tcp',
+    connectionParams: { ip, unitId: 1 },
+    pollGroups: [{ groupId: 'main', interval, registers: [{ registerId: 'v', address: 40001 }] }],
+  });
+
+  scheduler.updateSchedule({ devices: [device('meter', '10.0.0.5', 1000), device('drive', '10.0.0.6', 1000), device('pump', '10.0.0.7', 1000)] });
+  const timer = deviceId => scheduler.timers.get(`${deviceId}:main`).timerId;
+  const meterTimer = timer('meter');
+  const pumpTimer = timer('pump');
+  calls.length = 0;
+
+  const summary = scheduler.updateSchedule({
+    devices: [device('meter', '10.0.0.5', 1000), device('pump', '10.0.0.7', 500), device('boiler', '10.0.0.8', 2000)],
+  });
+  const groups = scheduler.getGroupStats();
+  const timers = { meter: timer('meter'), pump: timer('pump') };
+  const applied = [...calls];
+  scheduler.stopPolling();
+
+  assert.deepStrictEqual(summary, { added: 1, removed: 1, retimed: 1, updated: 0, unchanged: 1 });
+  assert.deepStrictEqual(groups.map(g => [g.deviceId, g.interval]), [['meter', 1000], ['pump', 500], ['boiler', 2000]]);
+  assert.strictEqual(timers.meter, meterTimer, 'an unchanged device keeps its timer');
+  assert.notStrictEqual(timers.pump, pumpTimer, 'a retimed group gets a new timer');
+  assert.deepStrictEqual(forgotten, ['drive/v']);
+  assert.deepStrictEqual(applied.filter(call => call.startsWith('release')), ['release drive:main']);
+  assert.ok(applied.includes('acquire boiler:main'));
+  assert.ok(applied.includes('retain meter,pump,boiler'));
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TransportRequestQueue } = require('../agent.js');
+
+const { PRIORITY } = TransportRequestQueue;
+const TCP = { protocol: 'tcp', ip: '10.0.0.5', port: 502 };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('transport keys identify the physical link, not the unit', () => {
+  assert.strictEqual(TransportRequestQueue.getTransportKey({ ...TCP, unitId: 3 }), 'tcp:10.0.0.5:502');
+  assert.strictEqual(TransportRequestQueue.getTransportKey({ ip: '10.0.0.5' }), 'tcp:10.0.0.5:502');
+  assert.strictEqual(TransportRequestQueue.getTransportKey({ protocol: 'udp', ip: '10.0.0.5', port: 5020 }), 'udp:10.0.0.5:5020');
+  assert.strictEqual(TransportRequestQueue.getTransportKey({ protocol: 'rtu', serialPort: '/dev/ttyUSB0', baudRate: 19200 }), 'serial:/dev/ttyUSB0');
+  assert.strictEqual(TransportRequestQueue.getTransportKey({ protocol: 'ascii', serialPort: 'COM3', ip: '10.0.0.5' }), 'serial:COM3');
+});
+
+test('inter-frame delay follows the baud rate', () => {
+  assert.strictEqual(TransportRequestQueue.getInterFrameDelay({ serialPort: '/dev/ttyUSB0', baudRate: 9600 }), 5);
+  assert.strictEqual(TransportRequestQueue.getInterFrameDelay({ serialPort: '/dev/ttyUSB0', baudRate: 115200 }), 2);
+  assert.strictEqual(TransportRequestQueue.getInterFrameDelay({ serialPort: '/dev/ttyUSB0', interFrameDelay: 20 }), 20);
+  assert.strictEqual(TransportRequestQueue.getInterFrameDelay(TCP), 0);
+});
+
+test('runs one request at a time in priority order', async () => {
+  const queue = new TransportRequestQueue();
+  const order = [];
+  let running = 0;
+  const task = name => async () => {
+    running++;
+    assert.strictEqual(running, 1);
+    await sleep(5);
+    order.push(name);
+    running--;
+    return name;
+  };
+
+  const results = await Promise.all([
+    queue.enqueue(TCP, PRIORITY.POLL, task('poll-1')),
+    queue.enqueue(TCP, PRIORITY.POLL, task('poll-2')),
+    queue.enqueue(TCP, PRIORITY.INTERACTIVE, task('read')),
+    queue.enqueue(TCP, PRIORITY.WRITE, task('write')),
+  ]);
+  assert.deepStrictEqual(results, ['poll-1', 'poll-2', 'read', 'write']);
+  // poll-1 starts immediately, the rest wait and run by priority
+  assert.deepStrictEqual(order, ['poll-1', 'write', 'read', 'poll-2']);
+});
+
+test('a hung request times out and the queue moves on', async () => {
+  const queue = new TransportRequestQueue(100, { requestTimeout: 50 });
+  const hung = queue.enqueue(TCP, PRIORITY.POLL, () => new Promise(() => {}));
+  const next = queue.enqueue(TCP, PRIORITY.POLL, async () => 'next');
+
+  await assert.rejects(hung, /Request timeout after 50ms on tcp:10.0.0.5:502/);
+  assert.strictEqual(await next, 'next');
+  const [metrics] = queue.getMetrics();
+  assert.strictEqual(metrics.timedOut, 1);
+  assert.strictEqual(metrics.failed, 1);
+  assert.strictEqual(metrics.completed, 1);
+});
+
+test('task errors reject only their own request', async () => {
+  const queue = new TransportRequestQueue();
+  const failing = queue.enqueue(TCP, PRIORITY.POLL, async () => { throw new Error('Illegal data address'); });
+  const ok = queue.enqueue(TCP, PRIORITY.POLL, async () => 42);
+  await assert.rejects(failing, /Illegal data address/);
+  assert.strictEqual(await ok, 42);
+});
+
+test('idle queues are dropped, busy ones are kept', async () => {
+  const queue = new TransportRequestQueue(100, { idleTimeout: 30 });
+  await queue.enqueue(TCP, PRIORITY.POLL, async () => 1);
+  const serial = { protocol: 'rtu', serialPort: '/dev/ttyUSB0' };
+  const slow = queue.enqueue(serial, PRIORITY.POLL, () => sleep(80));
+  assert.strictEqual(queue.queues.size, 2);
+
+  await sleep(50);
+  assert.deepStrictEqual(Array.from(queue.queues.keys()), ['serial:/dev/ttyUSB0']);
+  await slow;
+  await sleep(50);
+  assert.strictEqual(queue.queues.size, 0);
+});
+
+test('a queue that gets new work is not dropped', async () => {
+  const queue = new TransportRequestQueue(100, { idleTimeout: 40 });
+  await queue.enqueue(TCP, PRIORITY.POLL, async () => 1);
+  await sleep(25);
+  await queue.enqueue(TCP, PRIORITY.POLL, async () => 2);
+  await sleep(25);
+  assert.strictEqual(queue.queues.size, 1);
+  assert.strictEqual(queue.getMetrics()[0].completed, 2);
+});
+
+test('rejects requests beyond the maximum depth', async () => {
+  const queue = new TransportRequestQueue(2);
+  const running = queue.enqueue(TCP, PRIORITY.POLL, () => sleep(20));
+  const waiting = [
+    queue.enqueue(TCP, PRIORITY.POLL, async () => 1),
+    queue.enqueue(TCP, PRIORITY.POLL, async () => 2),
+  ];
+  await assert.rejects(queue.enqueue(TCP, PRIORITY.POLL, async () => 3), /Request queue full/);
+  await Promise.all([running, ...waiting]);
+  assert.strictEqual(queue.getMetrics()[0].rejected, 1);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ValueScaler } = require('../agent.js');
+
+const range = { rawMin: 0, rawMax: 27648, euMin: 0, euMax: 100 };
+
+// [description, register, raw value, expected EU value]
+const APPLY_CASES = [
+  ['no scaling fields', {}, 1234, 1234],
+  ['scale', { scale: 0.1 }, 1234, 123.4],
+  ['scale then offset', { scale: 0.1, offset: -40 }, 1234, 83.4],
+  ['range mapping', range, 13824, 50],
+  ['inverted EU range', { rawMin: 0, rawMax: 1000, euMin: 100, euMax: 0 }, 250, 75],
+  ['range mapping then scale', { ...range, scale: 10 }, 27648, 1000],
+  ['clampMin', { scale: 1, clampMin: 0 }, -5, 0],
+  ['clampMax', { clampMax: 100 }, 150, 100],
+  ['clamp to the EU range', { ...range, clamp: true }, 30000, 100],
+  ['clampMin overrides the EU range', { ...range, clamp: true, clampMin: 10 }, 0, 10],
+  ['clamp without a range mapping does nothing', { scale: 1, clamp: true }, 500, 500],
+  ['incomplete range mapping is ignored', { rawMin: 0, rawMax: 100, euMin: 0 }, 50, 50],
+  ['strings pass through', { scale: 10 }, 'RUN', 'RUN'],
+  ['booleans pass through', { scale: 10 }, true, true],
+];
+
+for (const [description, register, raw, expected] of APPLY_CASES) {
+  test(`apply: ${description}`, () => {
+    const actual = ValueScaler.apply(raw, register);
+    if (typeof expected === 'number') {
+      assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+    } else {
+      assert.strictEqual(actual, expected);
+    }
+  });
+}
+
+test('apply rejects an empty raw range', () => {
+  assert.throws(() => ValueScaler.apply(5, { registerId: 'level', rawMin: 4, rawMax: 4, euMin: 0, euMax: 1 }), /rawMin equals rawMax/);
+});
+
+const INVERT_CASES = [
+  ['scale and offset', { scale: 0.1, offset: -40 }],
+  ['range mapping', range],
+  ['range mapping with scale and offset', { ...range, scale: 2, offset: 5 }],
+];
+
+for (const [description, register] of INVERT_CASES) {
+  test(`invert undoes apply: ${description}`, () => {
+    for (const raw of [0, 1234, 27648]) {
+      const roundTrip = ValueScaler.invert(ValueScaler.apply(raw, register), register);
+      assert.ok(Math.abs(roundTrip - raw) < 1e-6, `${raw} came back as ${roundTrip}`);
+    }
+  });
+}
+
+test('invert ignores a zero scale and rejects an empty EU range', () => {
+  assert.strictEqual(ValueScaler.invert(50, { scale: 0 }), 50);
+  assert.throws(() => ValueScaler.invert(5, { registerId: 'level', rawMin: 0, rawMax: 1, euMin: 3, euMax: 3 }), /euMin equals euMax/);
+});
+
+test('isScaled', () => {
+  assert.strictEqual(ValueScaler.isScaled({}), false);
+  assert.strictEqual(ValueScaler.isScaled({ unit: 'V' }), false);
+  assert.strictEqual(ValueScaler.isScaled({ offset: 0 }), true);
+  assert.strictEqual(ValueScaler.isScaled(range), true);
+});
+
+test('getMetadata reports the unit and, with keepRaw, the raw value', () => {
+  assert.deepStrictEqual(ValueScaler.getMetadata({}, 5), {});
+  assert.deepStrictEqual(ValueScaler.getMetadata({ unit: '°C' }, 5), { unit: '°C' });
+  assert.deepStrictEqual(ValueScaler.getMetadata({ unit: '°C', keepRaw: true }, 5), { unit: '°C', rawValue: 5 });
+});